@@ -0,0 +1,841 @@
+// memory-store.js
+// In-process stand-in for the Redis client, for single-instance development and
+// tests (STORE=memory). Implements the node-redis commands server.js uses, with
+// the same arguments and return shapes, plus key expiry and pub/sub within the
+// process. Lua scripts can't run here, so each matchmaking script has a JS
+// twin below, run by name through runScript(); keep the two in sync.
+
+const { EventEmitter } = require("events");
+
+class WrongTypeError extends Error {
+  constructor() {
+    super("WRONGTYPE Operation against a key holding the wrong kind of value");
+  }
+}
+
+// ---- Score and id helpers ----
+function parseScore(value) {
+  if (typeof value === "number") return value;
+  if (value === "+inf" || value === "inf") return Infinity;
+  if (value === "-inf") return -Infinity;
+  return Number(value);
+}
+
+function compareEntries(a, b) {
+  return a.score - b.score || (a.value < b.value ? -1 : a.value > b.value ? 1 : 0);
+}
+
+// Stream ids are "<ms>-<seq>"; "-" and "+" are the open ends
+function parseStreamId(id, fallbackSeq) {
+  if (id === "-") return [-Infinity, 0];
+  if (id === "+") return [Infinity, 0];
+  const [ms, seq] = String(id).split("-");
+  return [Number(ms), seq === undefined ? fallbackSeq : Number(seq)];
+}
+
+function compareStreamIds([msA, seqA], [msB, seqB]) {
+  return msA - msB || seqA - seqB;
+}
+
+// Start/stop indexes as LRANGE/ZRANGE take them (negative counts from the end)
+function sliceRange(items, start, stop) {
+  const length = items.length;
+  let from = start < 0 ? Math.max(length + start, 0) : start;
+  let to = stop < 0 ? length + stop : Math.min(stop, length - 1);
+  if (from > to) return [];
+  return items.slice(from, to + 1);
+}
+
+// ====== Keyspace ======
+// Synchronous commands over one keyspace. MemoryStore wraps each in a promise;
+// the script twins call them directly, which makes every script atomic.
+class MemoryDatabase {
+  constructor() {
+    this.keys = new Map(); // key -> { type, value, expiresAt }
+    this.streamSeq = { ms: 0, seq: 0 };
+  }
+
+  // ---- Internals ----
+  _entry(key) {
+    const entry = this.keys.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.keys.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  _read(key, type) {
+    const entry = this._entry(key);
+    if (!entry) return null;
+    if (entry.type !== type) throw new WrongTypeError();
+    return entry.value;
+  }
+
+  _write(key, type, create) {
+    const entry = this._entry(key);
+    if (entry) {
+      if (entry.type !== type) throw new WrongTypeError();
+      return entry.value;
+    }
+    const value = create();
+    this.keys.set(key, { type, value, expiresAt: null });
+    return value;
+  }
+
+  // Empty collections don't exist in Redis
+  _prune(key, size) {
+    if (size === 0) this.keys.delete(key);
+  }
+
+  _sortedSet(key) {
+    const zset = this._read(key, "zset");
+    if (!zset) return [];
+    return [...zset].map(([value, score]) => ({ value, score })).sort(compareEntries);
+  }
+
+  sweepExpired() {
+    const now = Date.now();
+    for (const [key, entry] of this.keys) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) this.keys.delete(key);
+    }
+  }
+
+  // ---- Keys ----
+  del(keys) {
+    let removed = 0;
+    for (const key of [].concat(keys)) {
+      if (this._entry(key)) removed++;
+      this.keys.delete(key);
+    }
+    return removed;
+  }
+
+  exists(keys) {
+    return [].concat(keys).filter(key => this._entry(key)).length;
+  }
+
+  pExpire(key, ms) {
+    const entry = this._entry(key);
+    if (!entry) return 0;
+    entry.expiresAt = Date.now() + Number(ms);
+    return 1;
+  }
+
+  expire(key, seconds) {
+    return this.pExpire(key, Number(seconds) * 1000);
+  }
+
+  rename(key, newKey) {
+    const entry = this._entry(key);
+    if (!entry) throw new Error("ERR no such key");
+    this.keys.delete(key);
+    this.keys.set(newKey, entry);
+    return "OK";
+  }
+
+  // ---- Strings ----
+  get(key) {
+    return this._read(key, "string");
+  }
+
+  set(key, value, { NX, EX, PX } = {}) {
+    if (NX && this._entry(key)) return null;
+    const expiresAt = PX ? Date.now() + Number(PX) : EX ? Date.now() + Number(EX) * 1000 : null;
+    this.keys.set(key, { type: "string", value: String(value), expiresAt });
+    return "OK";
+  }
+
+  incr(key) {
+    const entry = this._entry(key);
+    if (entry && entry.type !== "string") throw new WrongTypeError();
+    const value = (entry ? parseInt(entry.value) : 0) + 1;
+    if (entry) entry.value = String(value);
+    else this.keys.set(key, { type: "string", value: String(value), expiresAt: null });
+    return value;
+  }
+
+  // ---- Hashes ----
+  hSet(key, fieldOrObject, value) {
+    const fields = typeof fieldOrObject === "object" ? Object.entries(fieldOrObject) : [[fieldOrObject, value]];
+    const hash = this._write(key, "hash", () => new Map());
+    let added = 0;
+    for (const [field, fieldValue] of fields) {
+      if (!hash.has(field)) added++;
+      hash.set(field, String(fieldValue));
+    }
+    return added;
+  }
+
+  hSetNX(key, field, value) {
+    const hash = this._write(key, "hash", () => new Map());
+    if (hash.has(field)) return 0;
+    hash.set(field, String(value));
+    return 1;
+  }
+
+  hGet(key, field) {
+    return this._read(key, "hash")?.get(field) ?? null;
+  }
+
+  hmGet(key, fields) {
+    const hash = this._read(key, "hash");
+    return [].concat(fields).map(field => hash?.get(field) ?? null);
+  }
+
+  hGetAll(key) {
+    return Object.fromEntries(this._read(key, "hash") || []);
+  }
+
+  hVals(key) {
+    return [...(this._read(key, "hash")?.values() || [])];
+  }
+
+  hExists(key, field) {
+    return this._read(key, "hash")?.has(field) ? 1 : 0;
+  }
+
+  hLen(key) {
+    return this._read(key, "hash")?.size || 0;
+  }
+
+  hDel(key, fields) {
+    const hash = this._read(key, "hash");
+    if (!hash) return 0;
+    let removed = 0;
+    for (const field of [].concat(fields)) {
+      if (hash.delete(field)) removed++;
+    }
+    this._prune(key, hash.size);
+    return removed;
+  }
+
+  hIncrBy(key, field, by) {
+    const hash = this._write(key, "hash", () => new Map());
+    const value = (parseInt(hash.get(field)) || 0) + Number(by);
+    hash.set(field, String(value));
+    return value;
+  }
+
+  // ---- Lists ----
+  rPush(key, values) {
+    const list = this._write(key, "list", () => []);
+    list.push(...[].concat(values).map(String));
+    return list.length;
+  }
+
+  lLen(key) {
+    return this._read(key, "list")?.length || 0;
+  }
+
+  lRange(key, start, stop) {
+    return sliceRange(this._read(key, "list") || [], start, stop);
+  }
+
+  lPos(key, element) {
+    const index = this._read(key, "list")?.indexOf(element) ?? -1;
+    return index < 0 ? null : index;
+  }
+
+  lRem(key, count, value) {
+    const list = this._read(key, "list");
+    if (!list) return 0;
+    const limit = count === 0 ? Infinity : Math.abs(count);
+    const indexes = list.map((item, i) => (item === value ? i : -1)).filter(i => i >= 0);
+    const doomed = new Set(count < 0 ? indexes.reverse().slice(0, limit) : indexes.slice(0, limit));
+    const kept = list.filter((_, i) => !doomed.has(i));
+    list.splice(0, list.length, ...kept);
+    this._prune(key, list.length);
+    return doomed.size;
+  }
+
+  lTrim(key, start, stop) {
+    const list = this._read(key, "list");
+    if (!list) return "OK";
+    const kept = sliceRange(list, start, stop);
+    list.splice(0, list.length, ...kept);
+    this._prune(key, list.length);
+    return "OK";
+  }
+
+  // ---- Sets ----
+  sAdd(key, members) {
+    const set = this._write(key, "set", () => new Set());
+    let added = 0;
+    for (const member of [].concat(members).map(String)) {
+      if (!set.has(member)) added++;
+      set.add(member);
+    }
+    return added;
+  }
+
+  sRem(key, members) {
+    const set = this._read(key, "set");
+    if (!set) return 0;
+    let removed = 0;
+    for (const member of [].concat(members)) {
+      if (set.delete(member)) removed++;
+    }
+    this._prune(key, set.size);
+    return removed;
+  }
+
+  sMembers(key) {
+    return [...(this._read(key, "set") || [])];
+  }
+
+  sCard(key) {
+    return this._read(key, "set")?.size || 0;
+  }
+
+  sIsMember(key, member) {
+    return this._read(key, "set")?.has(member) ? 1 : 0;
+  }
+
+  // Up to `count` distinct members in random order
+  sRandMember(key, count) {
+    const members = this.sMembers(key);
+    for (let i = members.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [members[i], members[j]] = [members[j], members[i]];
+    }
+    return members.slice(0, count);
+  }
+
+  // ---- Sorted sets ----
+  zAdd(key, members, { NX } = {}) {
+    const zset = this._write(key, "zset", () => new Map());
+    let added = 0;
+    for (const { score, value } of [].concat(members)) {
+      const exists = zset.has(String(value));
+      if (exists && NX) continue;
+      if (!exists) added++;
+      zset.set(String(value), parseScore(score));
+    }
+    return added;
+  }
+
+  zRem(key, members) {
+    const zset = this._read(key, "zset");
+    if (!zset) return 0;
+    let removed = 0;
+    for (const member of [].concat(members)) {
+      if (zset.delete(member)) removed++;
+    }
+    this._prune(key, zset.size);
+    return removed;
+  }
+
+  zScore(key, member) {
+    return this._read(key, "zset")?.get(member) ?? null;
+  }
+
+  zRank(key, member) {
+    const index = this._sortedSet(key).findIndex(({ value }) => value === member);
+    return index < 0 ? null : index;
+  }
+
+  zCard(key) {
+    return this._read(key, "zset")?.size || 0;
+  }
+
+  // ZRANGE by rank, or by score with { BY: "SCORE" }; REV and LIMIT as in node-redis.
+  // With REV and BY: "SCORE", `start` is the max and `stop` the min, like Redis.
+  zRangeWithScores(key, start, stop, { BY, REV, LIMIT } = {}) {
+    let entries = this._sortedSet(key);
+    if (BY === "SCORE") {
+      const [min, max] = REV ? [parseScore(stop), parseScore(start)] : [parseScore(start), parseScore(stop)];
+      entries = entries.filter(({ score }) => score >= min && score <= max);
+      if (REV) entries.reverse();
+      if (LIMIT) entries = entries.slice(LIMIT.offset, LIMIT.offset + LIMIT.count);
+      return entries;
+    }
+    if (REV) entries.reverse();
+    return sliceRange(entries, start, stop);
+  }
+
+  zRange(key, start, stop, options) {
+    return this.zRangeWithScores(key, start, stop, options).map(({ value }) => value);
+  }
+
+  zRangeByScore(key, min, max) {
+    return this.zRange(key, min, max, { BY: "SCORE" });
+  }
+
+  zRemRangeByScore(key, min, max) {
+    return this.zRem(key, this.zRangeByScore(key, min, max));
+  }
+
+  zRemRangeByRank(key, start, stop) {
+    return this.zRem(key, this.zRange(key, start, stop));
+  }
+
+  // ---- Streams ----
+  xAdd(key, id, fields, { TRIM } = {}) {
+    if (id !== "*") throw new Error("ERR only auto-generated stream ids are supported");
+    const stream = this._write(key, "stream", () => []);
+
+    const now = Date.now();
+    if (now > this.streamSeq.ms) this.streamSeq = { ms: now, seq: 0 };
+    else this.streamSeq.seq++;
+    const entryId = `${this.streamSeq.ms}-${this.streamSeq.seq}`;
+
+    stream.push({ id: entryId, message: Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, String(v)])) });
+    if (TRIM?.strategy === "MAXLEN" && stream.length > TRIM.threshold) {
+      stream.splice(0, stream.length - TRIM.threshold);
+    }
+    return entryId;
+  }
+
+  xRevRange(key, end, start, { COUNT } = {}) {
+    const stream = this._read(key, "stream") || [];
+    const hi = parseStreamId(end, Infinity);
+    const lo = parseStreamId(start, 0);
+    const rows = [];
+    for (let i = stream.length - 1; i >= 0 && rows.length < (COUNT ?? Infinity); i--) {
+      const id = parseStreamId(stream[i].id);
+      if (compareStreamIds(id, hi) <= 0 && compareStreamIds(id, lo) >= 0) {
+        rows.push({ id: stream[i].id, message: { ...stream[i].message } });
+      }
+    }
+    return rows;
+  }
+}
+
+// Commands MemoryStore exposes (everything public on MemoryDatabase)
+const COMMANDS = Object.getOwnPropertyNames(MemoryDatabase.prototype)
+  .filter(name => name !== "constructor" && name !== "sweepExpired" && !name.startsWith("_"));
+
+// ====== Scripts ======
+// JS twins of the Lua scripts in server.js, called with the same KEYS and ARGV.
+// ARGV starts with the key prefixes (SCRIPT_PREFIXES); the script's own
+// arguments follow. Return values match what the Lua scripts return.
+function scriptContext(db, keys, argv) {
+  const [QUEUE, PAIRS, SINCE] = keys;
+  const [
+    PREFS_PREFIX, TAG_PREFIX, LANG_PREFIX, RECENT_PREFIX, RECENT_IP_PREFIX, BLOCKS_PREFIX,
+    GROUP_QUEUE, ROOM_OF, ROOM_PREFIX, OPEN_ROOMS, ROOM_SEQ,
+  ] = argv;
+  const args = argv.slice(11);
+
+  const field = (value) => (typeof value === "string" && value !== "" ? value : null);
+
+  const getPrefs = (id) => {
+    const [tags, lang, ip, pool] = db.hmGet(PREFS_PREFIX + id, ["tags", "lang", "ip", "pool"]);
+    return {
+      tags: field(tags) ? tags.split(",").filter(Boolean) : [],
+      lang: field(lang),
+      ip: field(ip),
+      pool: field(pool),
+    };
+  };
+
+  const hasPrefs = (p) => p.tags.length > 0 || p.lang !== null;
+
+  const isOpen = (p, since, now, fallback) => !hasPrefs(p) || now - since >= fallback;
+
+  const dequeue = (id) => {
+    const p = getPrefs(id);
+    const removed = db.lRem(QUEUE, 0, id);
+    db.zRem(SINCE, id);
+    for (const tag of p.tags) db.sRem(TAG_PREFIX + tag, id);
+    if (p.lang) db.sRem(LANG_PREFIX + p.lang, id);
+    return removed;
+  };
+
+  const enqueue = (id, since) => {
+    if (db.hExists(PAIRS, id)) return false;
+    const p = getPrefs(id);
+    db.lRem(QUEUE, 0, id);
+    db.rPush(QUEUE, id);
+    db.zAdd(SINCE, { score: since, value: id });
+    for (const tag of p.tags) db.sAdd(TAG_PREFIX + tag, id);
+    if (p.lang) db.sAdd(LANG_PREFIX + p.lang, id);
+    return p;
+  };
+
+  const flag = (b) => (b ? "1" : "0");
+
+  const blocks = (id, ip, otherId, otherIp) => {
+    const key = BLOCKS_PREFIX + id;
+    if (db.sIsMember(key, "id:" + otherId)) return true;
+    // IP entries don't apply between users sharing one address (NAT)
+    return otherIp !== null && otherIp !== ip && !!db.sIsMember(key, "ip:" + otherIp);
+  };
+
+  return {
+    QUEUE, PAIRS, SINCE, PREFS_PREFIX, TAG_PREFIX, LANG_PREFIX, RECENT_PREFIX, RECENT_IP_PREFIX, BLOCKS_PREFIX,
+    GROUP_QUEUE, ROOM_OF, ROOM_PREFIX, OPEN_ROOMS, ROOM_SEQ,
+    args, getPrefs, hasPrefs, isOpen, dequeue, enqueue, flag, blocks,
+  };
+}
+
+const SCRIPTS = {
+  // SAVE_PREFS_SCRIPT
+  savePrefs(db, keys, argv) {
+    const { SINCE, PREFS_PREFIX, args, dequeue, enqueue } = scriptContext(db, keys, argv);
+    const id = args[0];
+    const since = db.zScore(SINCE, id);
+    if (since !== null) dequeue(id);
+    db.hSet(PREFS_PREFIX + id, { tags: args[1], lang: args[2], ip: args[3], pool: args[4] });
+    if (since !== null) enqueue(id, since);
+    return 1;
+  },
+
+  // MATCH_SCRIPT
+  match(db, keys, argv) {
+    const ctx = scriptContext(db, keys, argv);
+    const { QUEUE, PAIRS, SINCE, RECENT_PREFIX, RECENT_IP_PREFIX, GROUP_QUEUE, ROOM_OF, args } = ctx;
+    const caller = args[0];
+    const now = Number(args[1]);
+    const fallback = Number(args[2]);
+    const scan = Number(args[3]);
+    const window = Number(args[4]);
+    const limit = Number(args[5]);
+
+    const current = db.hGet(PAIRS, caller) || db.hGet(ROOM_OF, caller);
+    if (current) return ["busy", current];
+    db.lRem(GROUP_QUEUE, 0, caller);
+
+    const since = db.zScore(SINCE, caller) ?? now;
+    ctx.dequeue(caller);
+    const mine = ctx.getPrefs(caller);
+
+    const excluded = (id, theirs, allowRecent) => {
+      if (mine.pool !== theirs.pool) return true;
+      if (ctx.blocks(caller, mine.ip, id, theirs.ip) || ctx.blocks(id, theirs.ip, caller, mine.ip)) return true;
+      if (allowRecent) return false;
+      const cutoff = now - window;
+      let at = db.zScore(RECENT_PREFIX + caller, id);
+      if (at !== null && at >= cutoff) return true;
+      if (mine.ip && theirs.ip && mine.ip !== theirs.ip) {
+        at = db.zScore(RECENT_IP_PREFIX + mine.ip, theirs.ip);
+        if (at !== null && at >= cutoff) return true;
+      }
+      return false;
+    };
+
+    const waiting = (id) => id !== caller && !db.hExists(PAIRS, id);
+
+    const pick = (allowRecent) => {
+      if (ctx.hasPrefs(mine)) {
+        const candidates = new Map();
+        const entry = (id) => {
+          if (!candidates.has(id)) candidates.set(id, { id, tags: [], lang: false });
+          return candidates.get(id);
+        };
+        for (const tag of mine.tags) {
+          for (const id of db.sRandMember(ctx.TAG_PREFIX + tag, scan)) {
+            if (id !== caller) entry(id).tags.push(tag);
+          }
+        }
+        if (mine.lang) {
+          for (const id of db.sRandMember(ctx.LANG_PREFIX + mine.lang, scan)) {
+            if (id !== caller) entry(id).lang = true;
+          }
+        }
+        let best = null;
+        for (const e of candidates.values()) {
+          e.since = db.zScore(SINCE, e.id);
+          if (e.since === null || !waiting(e.id)) continue;
+          e.prefs = ctx.getPrefs(e.id);
+          if (!excluded(e.id, e.prefs, allowRecent) && (!best
+            || e.tags.length > best.tags.length
+            || (e.tags.length === best.tags.length && e.lang && !best.lang)
+            || (e.tags.length === best.tags.length && e.lang === best.lang && e.since < best.since))) {
+            best = e;
+          }
+        }
+        if (best) return best;
+      }
+
+      if (!ctx.isOpen(mine, since, now, fallback)) return null;
+      for (const id of db.lRange(QUEUE, 0, scan - 1)) {
+        if (!waiting(id)) continue;
+        const theirs = ctx.getPrefs(id);
+        const theirSince = db.zScore(SINCE, id) ?? now;
+        if (ctx.isOpen(theirs, theirSince, now, fallback) && !excluded(id, theirs, allowRecent)) {
+          const shared = mine.tags.filter(tag => theirs.tags.includes(tag));
+          return { id, tags: shared, prefs: theirs, since: theirSince };
+        }
+      }
+      return null;
+    };
+
+    const remember = (key, member) => {
+      db.zAdd(key, { score: now, value: member });
+      db.zRemRangeByScore(key, "-inf", now - window);
+      db.zRemRangeByRank(key, 0, -(limit + 1));
+      db.pExpire(key, window);
+    };
+
+    const best = pick(false) || pick(true);
+    if (best) {
+      ctx.dequeue(best.id);
+      db.hSet(PAIRS, { [caller]: best.id, [best.id]: caller });
+      remember(RECENT_PREFIX + caller, best.id);
+      remember(RECENT_PREFIX + best.id, caller);
+      if (mine.ip && best.prefs.ip && mine.ip !== best.prefs.ip) {
+        remember(RECENT_IP_PREFIX + mine.ip, best.prefs.ip);
+        remember(RECENT_IP_PREFIX + best.prefs.ip, mine.ip);
+      }
+      return ["paired", best.id, best.tags.join(","), String(since), String(best.since)];
+    }
+
+    ctx.enqueue(caller, since);
+    return ["waiting", String(since), ctx.flag(ctx.hasPrefs(mine))];
+  },
+
+  // UNPAIR_SCRIPT
+  unpair(db, keys, argv) {
+    const { PAIRS, args, dequeue, enqueue, hasPrefs, flag } = scriptContext(db, keys, argv);
+    const id = args[0];
+    const requeue = args[1] === "1";
+    const since = Number(args[2]);
+
+    dequeue(id);
+    const partner = db.hGet(PAIRS, id);
+    if (!partner) return [];
+
+    db.hDel(PAIRS, id);
+    if (db.hGet(PAIRS, partner) === id) db.hDel(PAIRS, partner);
+
+    if (requeue) {
+      const p = enqueue(partner, since);
+      if (p) return [partner, "1", flag(hasPrefs(p))];
+    }
+    return [partner, "0", "0"];
+  },
+
+  // RESUME_SCRIPT
+  resume(db, keys, argv) {
+    const ctx = scriptContext(db, keys, argv);
+    const { PAIRS, GROUP_QUEUE, ROOM_OF, PREFS_PREFIX, RECENT_PREFIX, BLOCKS_PREFIX, args, dequeue } = ctx;
+    const [old, next, held] = args;
+    const current = db.hGet(PAIRS, next) || db.hGet(ROOM_OF, next);
+    if (current) return ["busy", current];
+    if (!db.exists(held)) return [];
+    const partner = db.hGet(PAIRS, old);
+    if (!partner || db.hGet(PAIRS, partner) !== old) return [];
+
+    db.del(held);
+    dequeue(next);
+    db.lRem(GROUP_QUEUE, 0, next);
+    db.hDel(PAIRS, old);
+    db.hSet(PAIRS, { [next]: partner, [partner]: next });
+    for (const prefix of [PREFS_PREFIX, RECENT_PREFIX, BLOCKS_PREFIX]) {
+      if (db.exists(prefix + old)) db.rename(prefix + old, prefix + next);
+    }
+    return ["resumed", partner];
+  },
+
+  // GROUP_MATCH_SCRIPT
+  groupMatch(db, keys, argv) {
+    const ctx = scriptContext(db, keys, argv);
+    const { PAIRS, GROUP_QUEUE, ROOM_OF, ROOM_PREFIX, OPEN_ROOMS, ROOM_SEQ, args } = ctx;
+    const caller = args[0];
+    const size = Number(args[1]);
+    const minSize = Number(args[2]);
+    const scan = Number(args[3]);
+    const skipRoom = args[4];
+
+    const current = db.hGet(PAIRS, caller) || db.hGet(ROOM_OF, caller);
+    if (current) return ["busy", current];
+    ctx.dequeue(caller);
+    db.lRem(GROUP_QUEUE, 0, caller);
+    const mine = ctx.getPrefs(caller);
+
+    const fits = (id, p, members) => members.every(m =>
+      p.pool === m.prefs.pool && !ctx.blocks(id, p.ip, m.id, m.prefs.ip) && !ctx.blocks(m.id, m.prefs.ip, id, p.ip));
+
+    const seat = (id, roomId) => {
+      db.sAdd(ROOM_PREFIX + roomId, id);
+      db.hSet(ROOM_OF, id, roomId);
+    };
+
+    for (const roomId of db.zRange(OPEN_ROOMS, 0, scan - 1, { REV: true })) {
+      const ids = db.sMembers(ROOM_PREFIX + roomId);
+      const members = ids.map(id => ({ id, prefs: ctx.getPrefs(id) }));
+      if (roomId !== skipRoom && members.length > 0 && members.length < size && fits(caller, mine, members)) {
+        seat(caller, roomId);
+        if (members.length + 1 >= size) db.zRem(OPEN_ROOMS, roomId);
+        else db.zAdd(OPEN_ROOMS, { score: members.length + 1, value: roomId });
+        return ["joined", roomId, ids.join(",")];
+      }
+    }
+
+    const chosen = [{ id: caller, prefs: mine }];
+    for (const id of db.lRange(GROUP_QUEUE, 0, scan - 1)) {
+      if (chosen.length >= size) break;
+      const theirs = ctx.getPrefs(id);
+      if (id !== caller && !db.hExists(ROOM_OF, id) && fits(id, theirs, chosen)) {
+        chosen.push({ id, prefs: theirs });
+      }
+    }
+
+    if (chosen.length >= minSize) {
+      const roomId = String(db.incr(ROOM_SEQ));
+      for (const m of chosen) {
+        db.lRem(GROUP_QUEUE, 0, m.id);
+        seat(m.id, roomId);
+      }
+      if (chosen.length < size) db.zAdd(OPEN_ROOMS, { score: chosen.length, value: roomId });
+      return ["created", roomId, chosen.map(m => m.id).join(",")];
+    }
+
+    db.rPush(GROUP_QUEUE, caller);
+    return ["waiting"];
+  },
+
+  // GROUP_LEAVE_SCRIPT
+  groupLeave(db, keys, argv) {
+    const { GROUP_QUEUE, ROOM_OF, ROOM_PREFIX, OPEN_ROOMS, args } = scriptContext(db, keys, argv);
+    const id = args[0];
+    db.lRem(GROUP_QUEUE, 0, id);
+    const roomId = db.hGet(ROOM_OF, id);
+    if (!roomId) return [];
+
+    db.hDel(ROOM_OF, id);
+    db.sRem(ROOM_PREFIX + roomId, id);
+    const rest = db.sMembers(ROOM_PREFIX + roomId);
+    if (rest.length <= 1) {
+      db.del(ROOM_PREFIX + roomId);
+      db.zRem(OPEN_ROOMS, roomId);
+      for (const other of rest) db.hDel(ROOM_OF, other);
+      return [roomId, "1", rest.join(",")];
+    }
+    db.zAdd(OPEN_ROOMS, { score: rest.length, value: roomId });
+    return [roomId, "0", rest.join(",")];
+  },
+
+  // PAIR_DIRECT_SCRIPT
+  pairDirect(db, keys, argv) {
+    const { PAIRS, GROUP_QUEUE, ROOM_OF, args, getPrefs, dequeue, blocks } = scriptContext(db, keys, argv);
+    const [caller, peer] = args;
+    if ([caller, peer].some(id => db.hExists(PAIRS, id) || db.hExists(ROOM_OF, id))) return ["busy"];
+
+    const mine = getPrefs(caller);
+    const theirs = getPrefs(peer);
+    if (mine.pool !== theirs.pool || blocks(caller, mine.ip, peer, theirs.ip) || blocks(peer, theirs.ip, caller, mine.ip)) {
+      return ["excluded"];
+    }
+
+    for (const id of [caller, peer]) {
+      dequeue(id);
+      db.lRem(GROUP_QUEUE, 0, id);
+    }
+    db.hSet(PAIRS, { [caller]: peer, [peer]: caller });
+    return ["paired"];
+  },
+
+  // TOKEN_BUCKET_SCRIPT (KEYS are the buckets; ARGV: now, then capacity/refill per bucket)
+  tokenBucket(db, keys, argv) {
+    const now = Number(argv[0]);
+    let wait = 0;
+    const buckets = keys.map((key, i) => {
+      const capacity = Number(argv[i * 2 + 1]);
+      const refill = Number(argv[i * 2 + 2]);
+      const [storedTokens, storedAt] = db.hmGet(key, ["tokens", "at"]);
+      const at = storedAt !== null ? Number(storedAt) : now;
+      let tokens = storedTokens !== null ? Number(storedTokens) : capacity;
+      tokens = Math.min(capacity, tokens + Math.max(0, now - at) / refill);
+      if (tokens < 1) wait = Math.max(wait, Math.ceil((1 - tokens) * refill));
+      return { key, tokens, ttl: Math.ceil(capacity * refill) };
+    });
+    for (const b of buckets) {
+      db.hSet(b.key, { tokens: String(wait === 0 ? b.tokens - 1 : b.tokens), at: String(now) });
+      db.pExpire(b.key, b.ttl);
+    }
+    return wait;
+  },
+};
+
+// ====== Store ======
+// Quacks like a connected node-redis client. duplicate() returns a handle on the
+// same data and pub/sub bus, as the subscriber connection does with Redis.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemoryStore extends EventEmitter {
+  constructor(shared = { db: new MemoryDatabase(), bus: new EventEmitter() }) {
+    super();
+    this.shared = shared;
+    this.shared.bus.setMaxListeners(0);
+    this.subscriptions = [];
+    this.isOpen = false;
+    this.isReady = false;
+  }
+
+  async connect() {
+    this.isOpen = true;
+    this.isReady = true;
+    if (!this.shared.sweeper) {
+      this.shared.sweeper = setInterval(() => this.shared.db.sweepExpired(), SWEEP_INTERVAL_MS);
+      this.shared.sweeper.unref();
+    }
+    setImmediate(() => this.emit("ready"));
+    return this;
+  }
+
+  async quit() {
+    for (const [channel, listener] of this.subscriptions) this.shared.bus.off(channel, listener);
+    this.subscriptions = [];
+    this.isOpen = false;
+    this.isReady = false;
+    return "OK";
+  }
+
+  duplicate() {
+    return new MemoryStore(this.shared);
+  }
+
+  // Delivered asynchronously, like a Redis message
+  async publish(channel, message) {
+    const receivers = this.shared.bus.listenerCount(channel);
+    setImmediate(() => this.shared.bus.emit(channel, String(message), channel));
+    return receivers;
+  }
+
+  async subscribe(channel, listener) {
+    for (const name of [].concat(channel)) {
+      this.shared.bus.on(name, listener);
+      this.subscriptions.push([name, listener]);
+    }
+  }
+
+  // Queued commands run back to back with nothing in between, like MULTI/EXEC
+  multi() {
+    const queued = [];
+    const chain = {
+      exec: async () => queued.map(([name, args]) => {
+        try {
+          return this.shared.db[name](...args);
+        } catch (err) {
+          return err;
+        }
+      }),
+    };
+    for (const name of COMMANDS) {
+      chain[name] = (...args) => {
+        queued.push([name, args]);
+        return chain;
+      };
+    }
+    return chain;
+  }
+
+  // Runs the JS twin of a server.js Lua script
+  async runScript(name, { keys = [], arguments: argv = [] } = {}) {
+    const script = SCRIPTS[name];
+    if (!script) throw new Error(`ERR unknown script ${name}`);
+    return script(this.shared.db, keys, argv);
+  }
+}
+
+for (const name of COMMANDS) {
+  MemoryStore.prototype[name] = async function (...args) {
+    return this.shared.db[name](...args);
+  };
+}
+
+module.exports = { MemoryStore };
@@ -0,0 +1,298 @@
+// Scenarios for the memory store, the JS twins of the Lua scripts in particular.
+// The expectations are the Lua scripts' behaviour in server.js: when a script
+// changes there, its twin in memory-store.js and the scenarios here change too.
+// Run with: npm test
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { MemoryStore } = require("../memory-store");
+
+// Same KEYS and ARGV layout as runScript() in server.js
+const KEYS = ["rvchat:queue", "rvchat:pairs", "rvchat:waiting_since"];
+const PREFIXES = [
+  "rvchat:prefs:", "rvchat:tag:", "rvchat:lang:",
+  "rvchat:recent:", "rvchat:recent_ip:", "rvchat:blocks:",
+  "rvchat:group_queue", "rvchat:room_of", "rvchat:room:", "rvchat:rooms_open", "rvchat:room_seq",
+];
+const FALLBACK_MS = 10000;
+const SCAN = 50;
+const RECENT_WINDOW_MS = 10 * 60 * 1000;
+const RECENT_LIMIT = 5;
+
+async function connect() {
+  const store = new MemoryStore();
+  await store.connect();
+  return store;
+}
+
+function run(store, name, args) {
+  return store.runScript(name, { keys: KEYS, arguments: [...PREFIXES, ...args.map(String)] });
+}
+
+// As server.js saves them: the normal pool is ""
+function savePrefs(store, id, { tags = [], lang = "", ip = "", pool = "" } = {}) {
+  return run(store, "savePrefs", [id, tags.join(","), lang, ip, pool]);
+}
+
+// Member lists come from sets, so their order isn't defined
+function members(list) {
+  return list.split(",").sort();
+}
+
+function match(store, id, now = Date.now()) {
+  return run(store, "match", [id, now, FALLBACK_MS, SCAN, RECENT_WINDOW_MS, RECENT_LIMIT]);
+}
+
+// ---- Commands ----
+test("set with NX and PX expires the key", async () => {
+  const store = await connect();
+  assert.equal(await store.set("k", "a", { NX: true, PX: 20 }), "OK");
+  assert.equal(await store.set("k", "b", { NX: true }), null);
+  assert.equal(await store.get("k"), "a");
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(await store.get("k"), null);
+});
+
+test("zRange by score supports REV and LIMIT", async () => {
+  const store = await connect();
+  await store.zAdd("z", [{ score: 1, value: "a" }, { score: 2, value: "b" }, { score: 3, value: "c" }]);
+  assert.deepEqual(await store.zRange("z", "+inf", "-inf", { BY: "SCORE", REV: true, LIMIT: { offset: 0, count: 2 } }), ["c", "b"]);
+  assert.deepEqual(await store.zRangeByScore("z", 2, "+inf"), ["b", "c"]);
+  assert.equal(await store.zRank("z", "b"), 1);
+  assert.equal(await store.zRank("z", "x"), null);
+});
+
+test("multi runs queued commands in order", async () => {
+  const store = await connect();
+  const results = await store.multi().rPush("l", ["a", "b"]).lPos("l", "b").lLen("l").exec();
+  assert.deepEqual(results, [2, 1, 2]);
+});
+
+test("duplicate shares data and pub/sub", async () => {
+  const store = await connect();
+  const subscriber = store.duplicate();
+  await subscriber.connect();
+  const received = new Promise(resolve => subscriber.subscribe("channel", resolve));
+  await store.set("shared", "1");
+  assert.equal(await subscriber.get("shared"), "1");
+  assert.equal(await store.publish("channel", "hello"), 1);
+  assert.equal(await received, "hello");
+});
+
+// ---- Matchmaking scripts ----
+test("match queues the first caller and pairs the second", async () => {
+  const store = await connect();
+  await savePrefs(store, "a");
+  await savePrefs(store, "b");
+
+  const [status, since, hasPrefs] = await match(store, "a", 1000);
+  assert.deepEqual([status, since, hasPrefs], ["waiting", "1000", "0"]);
+  assert.deepEqual(await store.lRange("rvchat:queue", 0, -1), ["a"]);
+
+  const [paired, peer, , callerSince, peerSince] = await match(store, "b", 2000);
+  assert.deepEqual([paired, peer, callerSince, peerSince], ["paired", "a", "2000", "1000"]);
+  assert.equal(await store.hGet("rvchat:pairs", "a"), "b");
+  assert.equal(await store.hGet("rvchat:pairs", "b"), "a");
+  assert.equal(await store.lLen("rvchat:queue"), 0);
+  assert.equal(await store.zCard("rvchat:waiting_since"), 0);
+
+  assert.deepEqual(await match(store, "a"), ["busy", "b"]);
+});
+
+test("match prefers shared tags and reports them", async () => {
+  const store = await connect();
+  await savePrefs(store, "music", { tags: ["music"] });
+  await savePrefs(store, "sports", { tags: ["sports"] });
+  await savePrefs(store, "caller", { tags: ["music", "games"] });
+  await match(store, "sports", 1000);
+  await match(store, "music", 1001);
+
+  const [status, peer, sharedTags] = await match(store, "caller", 1002);
+  assert.deepEqual([status, peer, sharedTags], ["paired", "music", "music"]);
+  assert.deepEqual(await store.sMembers("rvchat:tag:sports"), ["sports"]);
+  assert.deepEqual(await store.sMembers("rvchat:tag:music"), []);
+});
+
+test("match waits for tags until the fallback, then widens", async () => {
+  const store = await connect();
+  await savePrefs(store, "a", { tags: ["music"] });
+  await savePrefs(store, "b", { tags: ["sports"] });
+  await match(store, "a", 1000);
+
+  assert.equal((await match(store, "b", 2000))[0], "waiting");
+  const [status, peer] = await match(store, "b", 2000 + FALLBACK_MS);
+  assert.deepEqual([status, peer], ["paired", "a"]);
+});
+
+test("match never crosses pools or blocks", async () => {
+  const store = await connect();
+  await savePrefs(store, "quarantined", { pool: "quarantine" });
+  await savePrefs(store, "blocked");
+  await savePrefs(store, "caller");
+  await store.sAdd("rvchat:blocks:caller", "id:blocked");
+  await match(store, "quarantined", 1000);
+  await match(store, "blocked", 1001);
+
+  assert.equal((await match(store, "caller", 1002))[0], "waiting");
+  assert.deepEqual(await store.lRange("rvchat:queue", 0, -1), ["quarantined", "blocked", "caller"]);
+});
+
+test("match skips recent partners unless nobody else waits", async () => {
+  const store = await connect();
+  await savePrefs(store, "a", { tags: ["x"] });
+  await savePrefs(store, "b");
+  await savePrefs(store, "c", { tags: ["y"] });
+  await match(store, "a", 1000);
+  assert.equal((await match(store, "b", 1000 + FALLBACK_MS))[1], "a");
+  await run(store, "unpair", ["b", 0, 0]);
+
+  // Tags keep a and c apart until they call again; both are open to b
+  await match(store, "a", 20000);
+  await match(store, "c", 20001);
+  assert.deepEqual((await match(store, "b", 20001 + FALLBACK_MS)).slice(0, 2), ["paired", "c"]);
+  await run(store, "unpair", ["b", 0, 0]);
+
+  assert.deepEqual((await match(store, "b", 30000 + FALLBACK_MS)).slice(0, 2), ["paired", "a"]);
+});
+
+test("unpair requeues the partner with the given wait start", async () => {
+  const store = await connect();
+  await savePrefs(store, "a", { lang: "en" });
+  await savePrefs(store, "b", { lang: "en" });
+  await match(store, "a", 1000);
+  await match(store, "b", 1001);
+
+  assert.deepEqual(await run(store, "unpair", ["b", 1, 5000]), ["a", "1", "1"]);
+  assert.equal(await store.hLen("rvchat:pairs"), 0);
+  assert.deepEqual(await store.lRange("rvchat:queue", 0, -1), ["a"]);
+  assert.equal(await store.zScore("rvchat:waiting_since", "a"), 5000);
+  assert.deepEqual(await store.sMembers("rvchat:lang:en"), ["a"]);
+  assert.deepEqual(await run(store, "unpair", ["b", 1, 5000]), []);
+});
+
+test("unpair without requeue leaves the partner out of the queue", async () => {
+  const store = await connect();
+  await savePrefs(store, "a");
+  await savePrefs(store, "b");
+  await match(store, "a", 1000);
+  await match(store, "b", 1001);
+
+  assert.deepEqual(await run(store, "unpair", ["a", 0, 2000]), ["b", "0", "0"]);
+  assert.equal(await store.lLen("rvchat:queue"), 0);
+});
+
+test("resume moves a held pair to the new socket", async () => {
+  const store = await connect();
+  await savePrefs(store, "old", { ip: "10.0.0.1" });
+  await savePrefs(store, "peer");
+  await match(store, "old", 1000);
+  await match(store, "peer", 1001);
+
+  assert.deepEqual(await run(store, "resume", ["old", "new", "rvchat:held:old"]), []); // not held
+  await store.set("rvchat:held:old", "peer");
+  await store.rPush("rvchat:group_queue", "new"); // Waited for a group before resuming
+  assert.deepEqual(await run(store, "resume", ["old", "new", "rvchat:held:old"]), ["resumed", "peer"]);
+  assert.equal(await store.lLen("rvchat:group_queue"), 0);
+  assert.equal(await store.hGet("rvchat:pairs", "peer"), "new");
+  assert.equal(await store.hGet("rvchat:pairs", "new"), "peer");
+  assert.equal(await store.hExists("rvchat:pairs", "old"), 0);
+  assert.equal(await store.hGet("rvchat:prefs:new", "ip"), "10.0.0.1");
+  assert.equal(await store.exists("rvchat:held:old"), 0);
+});
+
+test("resume leaves the pair held when the new socket is busy", async () => {
+  const store = await connect();
+  await savePrefs(store, "old");
+  await savePrefs(store, "peer");
+  await match(store, "old", 1000);
+  await match(store, "peer", 1001);
+  await store.set("rvchat:held:old", "peer");
+
+  await store.hSet("rvchat:room_of", "new", "room:1");
+  assert.deepEqual(await run(store, "resume", ["old", "new", "rvchat:held:old"]), ["busy", "room:1"]);
+  await store.hDel("rvchat:room_of", "new");
+  await store.hSet("rvchat:pairs", { new: "other", other: "new" });
+  assert.deepEqual(await run(store, "resume", ["old", "new", "rvchat:held:old"]), ["busy", "other"]);
+
+  assert.equal(await store.hGet("rvchat:pairs", "peer"), "old");
+  assert.equal(await store.exists("rvchat:held:old"), 1);
+});
+
+test("groupMatch waits for enough people, then fills open rooms", async () => {
+  const store = await connect();
+  for (const id of ["a", "b", "c", "d", "e"]) await savePrefs(store, id);
+  const group = (id) => run(store, "groupMatch", [id, 4, 3, SCAN, ""]);
+
+  assert.deepEqual(await group("a"), ["waiting"]);
+  assert.deepEqual(await group("b"), ["waiting"]);
+  assert.deepEqual(await group("c"), ["created", "1", "c,a,b"]);
+  assert.equal(await store.zScore("rvchat:rooms_open", "1"), 3);
+
+  const [joined, roomId, existing] = await group("d");
+  assert.deepEqual([joined, roomId, members(existing)], ["joined", "1", ["a", "b", "c"]]);
+  assert.equal(await store.zScore("rvchat:rooms_open", "1"), null); // full
+  assert.deepEqual(await group("e"), ["waiting"]);
+  assert.deepEqual((await group("a"))[0], "busy");
+});
+
+test("groupLeave closes a room left with one member", async () => {
+  const store = await connect();
+  for (const id of ["a", "b", "c"]) await savePrefs(store, id);
+  const group = (id) => run(store, "groupMatch", [id, 4, 3, SCAN, ""]);
+  await group("a");
+  await group("b");
+  await group("c");
+
+  const [roomId, closed, rest] = await run(store, "groupLeave", ["a"]);
+  assert.deepEqual([roomId, closed, members(rest)], ["1", "0", ["b", "c"]]);
+  assert.equal(await store.zScore("rvchat:rooms_open", "1"), 2);
+  assert.deepEqual(await run(store, "groupLeave", ["b"]), ["1", "1", "c"]);
+  assert.equal(await store.hLen("rvchat:room_of"), 0);
+  assert.equal(await store.exists("rvchat:room:1"), 0);
+  assert.deepEqual(await run(store, "groupLeave", ["b"]), []);
+});
+
+test("pairDirect pairs free sockets in the same pool only", async () => {
+  const store = await connect();
+  await savePrefs(store, "a");
+  await savePrefs(store, "b");
+  await savePrefs(store, "q", { pool: "quarantine" });
+  await savePrefs(store, "c");
+  await match(store, "b", 1000); // b is waiting
+
+  assert.deepEqual(await run(store, "pairDirect", ["a", "q"]), ["excluded"]);
+  assert.deepEqual(await run(store, "pairDirect", ["a", "b"]), ["paired"]);
+  assert.equal(await store.lLen("rvchat:queue"), 0);
+  assert.equal(await store.hGet("rvchat:pairs", "b"), "a");
+  assert.deepEqual(await run(store, "pairDirect", ["c", "a"]), ["busy"]);
+});
+
+test("tokenBucket allows a burst, then one event per refill interval", async () => {
+  const store = await connect();
+  const take = (now) => store.runScript("tokenBucket", { keys: ["bucket"], arguments: [now, 2, 1000].map(String) });
+
+  assert.equal(await take(0), 0);
+  assert.equal(await take(0), 0);
+  assert.equal(await take(0), 1000);
+  assert.equal(await take(400), 600);
+  assert.equal(await take(1000), 0);
+});
+
+test("tokenBucket IP budget refills as fast as its multiplier of sockets", async () => {
+  // As consumeRateLimit() sets them up: 3 sockets share an IP with 3x the budget
+  const store = await connect();
+  const multiplier = 3;
+  const take = (socket, now) => store.runScript("tokenBucket", {
+    keys: [`socket:${socket}`, "ip"],
+    arguments: [now, 2, 1000, 2 * multiplier, 1000 / multiplier].map(String),
+  });
+
+  // Every socket spends its burst, then keeps to one event per second
+  for (let now = 0; now <= 10000; now += 1000) {
+    for (let socket = 0; socket < multiplier; socket++) {
+      assert.equal(await take(socket, now), 0, `socket ${socket} at ${now}ms`);
+      if (now === 0) assert.equal(await take(socket, now), 0);
+    }
+  }
+  // One more socket on the same IP is held back by the IP bucket
+  assert.ok(await take(multiplier, 10000) > 0);
+});
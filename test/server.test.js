@@ -0,0 +1,201 @@
+// End-to-end checks against a real server.js process on the memory store.
+// Run with: npm test
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("node:net");
+const path = require("node:path");
+const { spawn } = require("node:child_process");
+const { io } = require("socket.io-client");
+
+const ADMIN_KEY = "test-admin-key";
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on("error", reject);
+  });
+}
+
+// Starts server.js and resolves once it listens and the store is up
+async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+    cwd: path.join(__dirname, ".."),
+    env: { ...process.env, STORE: "memory", PORT: String(port), ADMIN_KEY, NODE_ENV: "test", ...env },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes("Server listening") && output.includes("in-memory store")) resolve();
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.on("exit", code => reject(new Error(`server exited (${code}):\n${output}`)));
+  });
+  child.removeAllListeners("exit");
+  return {
+    url: `http://127.0.0.1:${port}`,
+    child,
+    get output() { return output; },
+    stop: () => new Promise(resolve => {
+      if (child.exitCode !== null) return resolve();
+      child.once("exit", resolve);
+      child.kill();
+    }),
+  };
+}
+
+function connectClient(url, options = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = io(url, { transports: ["websocket"], reconnection: false, ...options });
+    socket.once("connect", () => resolve(socket));
+    socket.once("connect_error", reject);
+  });
+}
+
+function nextEvent(socket, event, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`no "${event}" within ${timeoutMs}ms`)), timeoutMs);
+    socket.once(event, (payload) => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+}
+
+// ---- Socket payloads ----
+test("handlers ignore null and non-object payloads", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const socket = await connectClient(server.url);
+  t.after(() => socket.close());
+
+  for (const event of ["report", "block", "keep-in-touch", "revoke-contact"]) {
+    for (const payload of [null, 42, "peer"]) socket.emit(event, payload);
+  }
+
+  // Still serving this socket, and the process is alive (a rejected handler
+  // takes it down a tick later)
+  await new Promise(resolve => setTimeout(resolve, 200));
+  socket.emit("get-ice");
+  await nextEvent(socket, "ice-config");
+  assert.equal(server.child.exitCode, null, server.output);
+});
+
+// ---- Client IP ----
+function adminPost(server, route, body) {
+  return fetch(server.url + route, {
+    method: "POST",
+    headers: { "content-type": "application/json", "x-admin-key": ADMIN_KEY },
+    body: JSON.stringify(body),
+  });
+}
+
+// Whether a socket sending these headers through the (loopback) proxy gets in
+async function admitted(server, extraHeaders) {
+  try {
+    (await connectClient(server.url, { extraHeaders })).close();
+    return true;
+  } catch (err) {
+    if (err.message !== "banned") throw err;
+    return false;
+  }
+}
+
+test("only the configured forwarding header sets the client IP", async (t) => {
+  const headers = { "x-forwarded-for": "5.5.5.5", forwarded: "for=9.9.9.9" };
+
+  const xff = await startServer();
+  t.after(() => xff.stop());
+  assert.equal((await adminPost(xff, "/admin/ban", { ip: "9.9.9.9", reason: "test" })).status, 200);
+  assert.equal(await admitted(xff, headers), true);
+  assert.equal((await adminPost(xff, "/admin/ban", { ip: "5.5.5.5", reason: "test" })).status, 200);
+  assert.equal(await admitted(xff, headers), false);
+
+  const forwarded = await startServer({ FORWARDED_HEADER: "Forwarded" });
+  t.after(() => forwarded.stop());
+  assert.equal((await adminPost(forwarded, "/admin/ban", { ip: "5.5.5.5", reason: "test" })).status, 200);
+  assert.equal(await admitted(forwarded, headers), true);
+  assert.equal((await adminPost(forwarded, "/admin/ban", { ip: "9.9.9.9", reason: "test" })).status, 200);
+  assert.equal(await admitted(forwarded, headers), false);
+});
+
+// ---- Automatic bans ----
+test("a rate limit ban covers the device, not others on its IP", async (t) => {
+  const server = await startServer({ RATE_LIMIT_STRIKES: "3" });
+  t.after(() => server.stop());
+  const abuser = await connectClient(server.url);
+  t.after(() => abuser.close());
+
+  const banned = nextEvent(abuser, "banned");
+  for (let i = 0; i < 10; i++) abuser.emit("report", {}); // 3 per minute
+  await banned;
+
+  // Same IP, new device: still welcome
+  assert.equal(await admitted(server, {}), true);
+});
+
+// ---- Queue status ----
+test("waiting counts the sockets already online", async (t) => {
+  // Frequent ticks keep the rates cache warm from before the socket connected
+  const server = await startServer({ QUEUE_UPDATE_MS: "50" });
+  t.after(() => server.stop());
+  await new Promise(resolve => setTimeout(resolve, 200));
+  const socket = await connectClient(server.url);
+  t.after(() => socket.close());
+
+  const waiting = nextEvent(socket, "waiting");
+  socket.emit("join");
+  const status = await waiting;
+  assert.equal(status.position, 1);
+  assert.ok(status.online >= 1, JSON.stringify(status));
+});
+
+// ---- Reports ----
+// Pairs two new sockets and has one report the other; resolves to "report-submitted"
+async function fileReport(t, server, reportedHeaders = {}) {
+  const reported = await connectClient(server.url, { extraHeaders: reportedHeaders });
+  const reporter = await connectClient(server.url);
+  t.after(() => { reported.close(); reporter.close(); });
+
+  const paired = nextEvent(reporter, "paired");
+  reported.emit("join");
+  reporter.emit("join");
+  const { peerId } = await paired;
+  const submitted = nextEvent(reporter, "report-submitted");
+  reporter.emit("report", { peerId, category: "spam" });
+  return submitted;
+}
+
+test("report filters match IPs however they're written", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  await fileReport(t, server, { "x-forwarded-for": "1.2.3.4" });
+
+  const headers = { "x-admin-key": ADMIN_KEY };
+  const reports = await (await fetch(`${server.url}/admin/reports?ip=${encodeURIComponent("::ffff:1.2.3.4")}`, { headers })).json();
+  assert.deepEqual(Object.keys(reports.reports), ["1.2.3.4"]);
+  const cases = await (await fetch(`${server.url}/admin/cases?ip=${encodeURIComponent("::ffff:1.2.3.4")}`, { headers })).json();
+  assert.equal(cases.cases.length, 1);
+  assert.equal((await fetch(`${server.url}/admin/cases?ip=nope`, { headers })).status, 400);
+
+  const cleared = await (await adminPost(server, "/admin/clear-reports", { ip: "::ffff:1.2.3.4" })).json();
+  assert.equal(cleared.dismissed, 1);
+});
+
+test("a reopened case drops its resolution", async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const { caseId } = await fileReport(t, server);
+
+  const resolve = async (status) => (await (await adminPost(server, `/admin/cases/${caseId}/resolve`, { status })).json()).case;
+  assert.ok((await resolve("dismissed")).resolvedBy);
+  const reopened = await resolve("open");
+  assert.equal(reopened.resolvedBy, null);
+  assert.equal(reopened.resolvedAt, null);
+});